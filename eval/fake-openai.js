@@ -0,0 +1,105 @@
+// Minimal OpenAI-compatible server for offline evaluation.
+// Deterministic on purpose: the eval measures routing, course detection and extraction,
+// not model quality, so every answer is derived from the request itself.
+import http from "node:http";
+
+const EMBED_DIM = 64;
+
+// Hashed bag-of-words, L2-normalized: texts sharing words end up close to each other.
+function fakeEmbedding(text) {
+  const v = new Array(EMBED_DIM).fill(0);
+  for (const word of String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+    v[h % EMBED_DIM] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((acc, x) => acc + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+// ORG prompts carry "SOURCE <id> (...):" blocks; answer with the first line of the first source.
+function fakeOrgAnswer(prompt) {
+  const m = String(prompt).match(/^SOURCE (\S+) \([^)]*\):\n(.*)$/m);
+  if (!m) return { can_answer_from_sources: false, answer: "", citations: [], followup_question: null };
+
+  const line = m[2].trim();
+  return {
+    can_answer_from_sources: true,
+    answer: line,
+    citations: [{ source_id: m[1], support: line }],
+    followup_question: null,
+  };
+}
+
+function completionFor(body) {
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const last = String(messages[messages.length - 1]?.content || "");
+  if (/^Sources \(authoritative data only/m.test(last)) return JSON.stringify(fakeOrgAnswer(last));
+  return "FAKE_CONTENT_ANSWER";
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => resolve(raw));
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  let body;
+  try {
+    body = JSON.parse((await readBody(req)) || "{}");
+  } catch {
+    res.writeHead(400, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ error: { message: "Invalid JSON" } }));
+  }
+
+  if (req.method === "POST" && req.url.endsWith("/embeddings")) {
+    const input = Array.isArray(body.input) ? body.input : [body.input];
+    res.writeHead(200, { "content-type": "application/json" });
+    return res.end(
+      JSON.stringify({
+        data: input.map((text, index) => ({ index, embedding: fakeEmbedding(text) })),
+        usage: { prompt_tokens: input.length, total_tokens: input.length },
+      })
+    );
+  }
+
+  if (req.method === "POST" && req.url.endsWith("/chat/completions")) {
+    const content = completionFor(body);
+    const usage = { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 };
+
+    if (body.stream) {
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      return res.end("data: [DONE]\n\n");
+    }
+
+    res.writeHead(200, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content } }], usage }));
+  }
+
+  res.writeHead(404, { "content-type": "application/json" });
+  res.end(JSON.stringify({ error: { message: `No fake for ${req.method} ${req.url}` } }));
+}
+
+export function startFakeOpenAI() {
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      res.writeHead(500, { "content-type": "application/json" });
+      res.end(JSON.stringify({ error: { message: String(e?.message || e) } }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}/v1`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
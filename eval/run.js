@@ -0,0 +1,314 @@
+// Offline evaluation harness: replays a versioned question set through the /api/chat pipeline
+// (handleChat) against fixture syllabi and a local fake OpenAI server, then reports accuracy
+// per dimension and what changed since the last baseline.
+//
+//   npm run eval                          # compare against eval/baseline.json
+//   npm run eval -- --update-baseline     # accept the current results as the new baseline
+//   npm run eval -- --dataset eval/dataset.v1.json --json --verbose
+//
+// Exits with 1 when a case that passed in the baseline fails now.
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { startFakeOpenAI } from "./fake-openai.js";
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(EVAL_DIR, "fixtures");
+const FIXTURE_URL_PREFIX = "https://tim.univie.ac.at/__eval__/";
+const DIMENSIONS = ["intent", "course", "language", "direct"];
+
+function parseArgs(argv) {
+  const args = {
+    dataset: path.join(EVAL_DIR, "dataset.v1.json"),
+    baseline: path.join(EVAL_DIR, "baseline.json"),
+    updateBaseline: false,
+    json: false,
+    verbose: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dataset") args.dataset = path.resolve(argv[++i]);
+    else if (a === "--baseline") args.baseline = path.resolve(argv[++i]);
+    else if (a === "--update-baseline") args.updateBaseline = true;
+    else if (a === "--json") args.json = true;
+    else if (a === "--verbose") args.verbose = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Number.isInteger(dataset?.version)) throw new Error(`${file}: missing integer "version"`);
+  if (!Array.isArray(dataset.cases) || !dataset.cases.length) throw new Error(`${file}: "cases" must be a non-empty array`);
+
+  const seen = new Set();
+  for (const c of dataset.cases) {
+    if (!c?.id || seen.has(c.id)) throw new Error(`${file}: every case needs a unique id (${c?.id})`);
+    if (!Array.isArray(c.turns) || !c.turns.length) throw new Error(`${file}: case ${c.id} has no turns`);
+    seen.add(c.id);
+  }
+  return dataset;
+}
+
+// Fixture URLs are served from eval/fixtures; every other https request fails, so a run never
+// leaves the machine. Plain http (the fake OpenAI server on localhost) passes through.
+function installFixtureFetch() {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, opts) => {
+    const url = String(input?.url || input);
+
+    if (url.startsWith(FIXTURE_URL_PREFIX)) {
+      const file = path.resolve(FIXTURES_DIR, decodeURIComponent(new URL(url).pathname.slice("/__eval__/".length)));
+      if (!file.startsWith(FIXTURES_DIR + path.sep) || !fs.existsSync(file)) return new Response("Not found", { status: 404 });
+      return new Response(fs.readFileSync(file), { status: 200 });
+    }
+
+    if (url.startsWith("https://")) return new Response("Offline evaluation", { status: 503 });
+    return realFetch(input, opts);
+  };
+}
+
+// Schedule answers depend on "today", so each case runs at a fixed Europe/Vienna instant.
+function installClock() {
+  const RealDate = Date;
+  let nowMs = RealDate.now();
+
+  class EvalDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [nowMs]));
+    }
+
+    static now() {
+      return nowMs;
+    }
+  }
+
+  globalThis.Date = EvalDate;
+  return {
+    RealDate,
+    set(iso) {
+      const ms = RealDate.parse(iso);
+      if (Number.isNaN(ms)) throw new Error(`Invalid "now": ${iso}`);
+      nowMs = ms;
+    },
+  };
+}
+
+function configureEnv(llmBaseUrl, dataDir) {
+  Object.assign(process.env, {
+    PROVIDER: "openai-compatible",
+    LLM_BASE_URL: llmBaseUrl,
+    LLM_API_KEY: "eval",
+    LLM_CHAT_MODEL: "fake-chat",
+    LLM_EMBED_MODEL: "fake-embed",
+    LLM_EMBED_DIM: "64",
+    LLM_JSON_MODE: "json_object",
+    SYLLABI_INDEX_URL: `${FIXTURE_URL_PREFIX}index.json`,
+    DIRECT_RULES_PATH: path.join(FIXTURES_DIR, "direct-rules.json"),
+    OFFICIAL_PAGES_INDEX_URL: "",
+    USE_WEB_SEARCH: "false",
+    DATA_DIR: dataDir,
+    TRACE_LOG: "false",
+    DAILY_TOKEN_BUDGET: "0",
+    DAILY_COST_BUDGET_USD: "0",
+    // Refuse flagged questions, so a benign question matching an injection pattern fails its turn.
+    INJECTION_USER_ACTION: "block",
+  });
+}
+
+function includesAll(reply, needles) {
+  const r = String(reply || "").toLowerCase();
+  return needles.every((n) => r.includes(String(n).toLowerCase()));
+}
+
+// Compares one turn against its expectations; dimensions without an expectation are skipped.
+function scoreTurn(expect = {}, observed) {
+  const checks = {};
+  if ("intent" in expect) checks.intent = observed.intent === expect.intent;
+  if ("course" in expect) checks.course = observed.course === expect.course;
+  if ("language" in expect) checks.language = observed.language === expect.language;
+  if ("direct" in expect) {
+    checks.direct = expect.direct
+      ? observed.route === "direct" && includesAll(observed.reply, expect.direct.includes || [])
+      : observed.route !== "direct";
+  }
+  return checks;
+}
+
+async function runCase(c, dataset, { handleChat, createTrace, clock }) {
+  clock.set(c.now || dataset.now);
+
+  const turns = [];
+  let conversationId;
+  for (const [i, turn] of c.turns.entries()) {
+    const trace = createTrace(`eval-${c.id}-${i + 1}`);
+    let observed;
+    try {
+      const result = await handleChat(
+        { message: turn.text, conversationId, language: turn.language },
+        { trace, client: { acceptLanguage: turn.acceptLanguage } }
+      );
+      conversationId = result.conversationId;
+      observed = {
+        intent: trace.steps.find((s) => s.step === "routing")?.intent ?? null,
+        course: result.course,
+        language: result.language,
+        route: result.route,
+        reply: result.reply,
+      };
+    } catch (e) {
+      observed = { error: String(e?.message || e) };
+    }
+
+    turns.push({ key: `${c.id}#${i + 1}`, text: turn.text, expect: turn.expect || {}, observed, checks: scoreTurn(turn.expect, observed) });
+  }
+  return turns;
+}
+
+function summarize(turns) {
+  const accuracy = {};
+  for (const dim of DIMENSIONS) {
+    const scored = turns.filter((t) => dim in t.checks);
+    const passed = scored.filter((t) => t.checks[dim]).length;
+    accuracy[dim] = { passed, total: scored.length, ratio: scored.length ? passed / scored.length : null };
+  }
+  return accuracy;
+}
+
+function diffAgainstBaseline(turns, accuracy, baseline) {
+  if (!baseline) return null;
+
+  const regressions = [];
+  const fixes = [];
+  for (const t of turns) {
+    const before = baseline.cases?.[t.key];
+    if (!before) continue;
+    for (const [dim, ok] of Object.entries(t.checks)) {
+      if (!(dim in before)) continue;
+      if (before[dim] && !ok) regressions.push({ key: t.key, dim });
+      if (!before[dim] && ok) fixes.push({ key: t.key, dim });
+    }
+  }
+
+  const deltas = {};
+  for (const dim of DIMENSIONS) {
+    const prev = baseline.accuracy?.[dim]?.ratio;
+    const cur = accuracy[dim].ratio;
+    deltas[dim] = prev == null || cur == null ? null : cur - prev;
+  }
+
+  const known = new Set(turns.map((t) => t.key));
+  const added = turns.filter((t) => !baseline.cases?.[t.key]).map((t) => t.key);
+  const removed = Object.keys(baseline.cases || {}).filter((k) => !known.has(k));
+
+  return { datasetVersion: baseline.datasetVersion, deltas, regressions, fixes, added, removed };
+}
+
+function pct(ratio) {
+  return ratio == null ? "   n/a" : `${(ratio * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport({ dataset, turns, accuracy, diff }) {
+  const lines = [];
+  lines.push(`Dataset v${dataset.version}: ${dataset.cases.length} cases, ${turns.length} turns`);
+  lines.push("");
+
+  for (const dim of DIMENSIONS) {
+    const a = accuracy[dim];
+    const delta = diff?.deltas[dim];
+    const deltaText = delta == null || delta === 0 ? "" : `  (${delta > 0 ? "+" : ""}${(delta * 100).toFixed(1)} pts)`;
+    lines.push(`  ${dim.padEnd(9)} ${pct(a.ratio)}  ${a.passed}/${a.total}${deltaText}`);
+  }
+
+  const failures = turns.filter((t) => t.observed.error || Object.values(t.checks).some((ok) => !ok));
+  if (failures.length) {
+    lines.push("");
+    lines.push("Failures:");
+    for (const t of failures) {
+      const failed = Object.keys(t.checks).filter((d) => !t.checks[d]);
+      lines.push(`  ${t.key} [${failed.join(", ") || "error"}] ${JSON.stringify(t.text)}`);
+      if (t.observed.error) {
+        lines.push(`    error: ${t.observed.error}`);
+        continue;
+      }
+      for (const d of failed) {
+        const expected = d === "direct" ? t.expect.direct : t.expect[d];
+        const got = d === "direct" ? { route: t.observed.route, reply: t.observed.reply } : t.observed[d];
+        lines.push(`    ${d}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(got)}`);
+      }
+    }
+  }
+
+  if (diff) {
+    lines.push("");
+    lines.push(`Compared with baseline (dataset v${diff.datasetVersion}):`);
+    if (!diff.regressions.length && !diff.fixes.length) lines.push("  no changes");
+    for (const r of diff.regressions) lines.push(`  REGRESSED ${r.key} ${r.dim}`);
+    for (const f of diff.fixes) lines.push(`  FIXED     ${f.key} ${f.dim}`);
+    if (diff.added.length) lines.push(`  new turns: ${diff.added.join(", ")}`);
+    if (diff.removed.length) lines.push(`  dropped turns: ${diff.removed.join(", ")}`);
+  } else {
+    lines.push("");
+    lines.push("No baseline yet; run with --update-baseline to record one.");
+  }
+
+  console.log(lines.join("\n"));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dataset = loadDataset(args.dataset);
+  const baseline = fs.existsSync(args.baseline) ? JSON.parse(fs.readFileSync(args.baseline, "utf8")) : null;
+
+  const fake = await startFakeOpenAI();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tim-eval-"));
+  configureEnv(fake.baseUrl, dataDir);
+  installFixtureFetch();
+  const clock = installClock();
+
+  // The server logs every fetch and fallback; keep the report readable unless asked otherwise.
+  const { log, error } = console;
+  if (!args.verbose) console.log = console.error = () => {};
+
+  let turns = [];
+  try {
+    const { handleChat, createTrace } = await import("../server.js");
+    for (const c of dataset.cases) turns.push(...(await runCase(c, dataset, { handleChat, createTrace, clock })));
+  } finally {
+    Object.assign(console, { log, error });
+    await fake.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  const accuracy = summarize(turns);
+  const diff = diffAgainstBaseline(turns, accuracy, baseline);
+
+  if (args.json) console.log(JSON.stringify({ datasetVersion: dataset.version, accuracy, diff, turns }, null, 2));
+  else printReport({ dataset, turns, accuracy, diff });
+
+  if (args.updateBaseline) {
+    const record = {
+      datasetVersion: dataset.version,
+      recordedAt: new clock.RealDate().toISOString(),
+      accuracy,
+      cases: Object.fromEntries(turns.map((t) => [t.key, t.checks])),
+    };
+    fs.writeFileSync(args.baseline, JSON.stringify(record, null, 2) + "\n");
+    if (!args.json) console.log(`\nBaseline written to ${path.relative(process.cwd(), args.baseline)}`);
+    return 0;
+  }
+
+  return diff?.regressions.length ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error("Evaluation failed:", String(e?.message || e));
+    process.exit(2);
+  }
+);